@@ -31,16 +31,17 @@ export default class JoyrideBeacon extends React.Component {
 
   render() {
     const { eventType, onTrigger, step, xPos, yPos } = this.props;
+    const stepStyles = step.style || {};
+    const { offsetX = 0, offsetY = 0 } = typeof stepStyles.beacon === 'object' ? stepStyles.beacon : {};
     const styles = {
       beacon: {
-        left: xPos,
+        left: xPos > -1000 ? xPos + offsetX : xPos,
         position: step.isFixed === true ? 'fixed' : 'absolute',
-        top: yPos
+        top: yPos > -1000 ? yPos + offsetY : yPos
       },
       inner: {},
       outer: {}
     };
-    const stepStyles = step.style || {};
     let rgb;
 
     /* istanbul ignore else */
@@ -1,6 +1,7 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import { browser, getOffsetBoundingClientRect, sanitizeSelector } from './utils';
+import { browser, getOffsetBoundingClientRect, isModalStep, sanitizeSelector } from './utils';
+import { positions } from './placement';
 
 export default class JoyrideTooltip extends React.Component {
   constructor(props) {
@@ -19,18 +20,14 @@ export default class JoyrideTooltip extends React.Component {
     onClick: PropTypes.func.isRequired,
     onRender: PropTypes.func.isRequired,
     // position of tooltip with respect to target
-    position: PropTypes.oneOf([
-      'top', 'top-left', 'top-right',
-      'bottom', 'bottom-left', 'bottom-right',
-      'right', 'left',
-    ]).isRequired,
-    // sanitized selector string
+    position: PropTypes.oneOf(positions).isRequired,
+    // sanitized selector string (empty if the step has a target instead)
     selector: PropTypes.string.isRequired,
     showOverlay: PropTypes.bool.isRequired,
     standalone: PropTypes.bool,
     step: PropTypes.object.isRequired,
-    // DOM element to target
-    target: PropTypes.object.isRequired,
+    // DOM element to target, or the elements of a multi-element step
+    target: PropTypes.oneOfType([PropTypes.object, PropTypes.array]).isRequired,
     type: PropTypes.string.isRequired,
     xPos: PropTypes.oneOfType([
       PropTypes.number,
@@ -100,7 +97,8 @@ export default class JoyrideTooltip extends React.Component {
       nextHolePadding !== holePadding ||
       nextPosition !== position ||
       nextXPos !== xPos ||
-      nextYPos !== yPos
+      nextYPos !== yPos ||
+      this.hasTargetMoved(nextProps)
     ) {
       const opts = this.setOpts(nextProps);
       const styles = this.setStyles(nextProps.step.style, opts, nextProps);
@@ -129,9 +127,9 @@ export default class JoyrideTooltip extends React.Component {
   }
 
   componentDidUpdate(prevProps) {
-    const { onRender, selector } = this.props;
+    const { onRender, selector, target } = this.props;
 
-    if (prevProps.selector !== selector) {
+    if (prevProps.selector !== selector || [].concat(prevProps.target)[0] !== [].concat(target)[0]) {
       this.forceUpdate();
       onRender();
     }
@@ -141,33 +139,50 @@ export default class JoyrideTooltip extends React.Component {
     document.removeEventListener('mousemove', this.handleMouseMove, false);
   }
 
-  getArrowPosition(position) {
-    let arrowPosition = position;
+  /**
+   * Get the target rect in the coordinates the hole and the tooltip are positioned with:
+   * relative to the offset parent, or to the viewport for fixed steps
+   *
+   * @param {Object} props - The component props
+   * @returns {Object}
+   */
+  getTargetRect(props) {
+    const { offsetParentSelector, step, target } = props;
+    const offsetParent = step.isFixed === true ? null : document.querySelector(sanitizeSelector(offsetParentSelector));
 
-    if (window.innerWidth < 480) {
-      if (position < 8) {
-        arrowPosition = 8;
-      }
-      else if (position > 92) {
-        arrowPosition = 92;
-      }
-    }
-    else if (window.innerWidth < 1024) {
-      if (position < 6) {
-        arrowPosition = 6;
-      }
-      else if (position > 94) {
-        arrowPosition = 94;
-      }
-    }
-    else if (position < 5) {
-      arrowPosition = 5;
-    }
-    else if (position > 95) {
-      arrowPosition = 95;
+    return getOffsetBoundingClientRect(target, offsetParent);
+  }
+
+  /**
+   * Check if the target rect changed since the styles were calculated
+   *
+   * @param {Object} props - The component props
+   * @returns {boolean}
+   */
+  hasTargetMoved(props) {
+    const { opts } = this.state;
+    const rect = this.getTargetRect(props);
+
+    return ['top', 'left', 'width', 'height'].some(d => Math.round(rect[d]) !== Math.round(opts.rect[d]));
+  }
+
+  /**
+   * Clamp the arrow offset so the arrow stays inside the tooltip
+   *
+   * @param {number} position - The distance from the tooltip edge to the target center
+   * @param {number} size     - The tooltip length along the arrow axis
+   * @param {number} length   - The arrow length along the same axis plus the tooltip border radius
+   * @returns {number}
+   */
+  getArrowPosition(position, size, length) {
+    const min = length;
+    const max = size - length;
+
+    if (max < min) {
+      return size / 2;
     }
 
-    return arrowPosition;
+    return Math.min(Math.max(position, min), max);
   }
 
   generateArrow(opts = {}) {
@@ -204,20 +219,18 @@ export default class JoyrideTooltip extends React.Component {
    *
    * @param {Object} stepStyles              Style object provided with step
    * @param {Object} opts                    Options object calculated from this.setOpts
-   * @param {string} opts.arrowPosition      Used for left/right positioing of arrow when on bottom or top
+   * @param {number} opts.arrowPosition      The arrow offset along the tooltip side facing the target
    * @param {Object} opts.rect               BoundingClientRect of target element
    * @param {string} opts.positonBaseClass   Base position of tooltip (top, bottom, left, right)
-   * @param {Object} props                   Positioning properties: cssPosition, xPos, and yPos
+   * @param {Object} props                   Positioning properties: animate, cssPosition, xPos, and yPos
    * @returns {Object}                       Calculated styles for arrow, buttons, header, main, footer, hole, and tooltip
    */
   setStyles(stepStyles, opts, props) {
-    const { holePadding, step, xPos, yPos } = props;
+    const { animate, holePadding, step, xPos, yPos } = props;
     const isFixed = step.isFixed === true;
 
     const styles = {
-      arrow: {
-        left: opts.arrowPosition
-      },
+      arrow: {},
       buttons: {},
       header: {},
       main: {},
@@ -226,12 +239,21 @@ export default class JoyrideTooltip extends React.Component {
       tooltip: {
         position: isFixed ? 'fixed' : 'absolute',
         top: Math.round(yPos),
-        left: Math.round(xPos)
+        left: Math.round(xPos),
+        // Keep it hidden until the measured position is applied
+        visibility: animate ? 'visible' : 'hidden'
       }
     };
 
+    /* istanbul ignore else */
+    if (typeof opts.arrowPosition === 'number') {
+      styles.arrow = ['top', 'bottom'].indexOf(opts.positonBaseClass) > -1
+        ? { left: Math.round(opts.arrowPosition), right: 'auto', transform: 'translateX(-50%)' }
+        : { top: Math.round(opts.arrowPosition), transform: 'translateY(-50%)' };
+    }
+
     styles.hole = {
-      top: Math.round((opts.rect.top - (isFixed ? 0 : document.body.getBoundingClientRect().top)) - holePadding),
+      top: Math.round(opts.rect.top - holePadding),
       left: Math.round(opts.rect.left - holePadding),
       width: Math.round(opts.rect.width + (holePadding * 2)),
       height: Math.round(opts.rect.height + (holePadding * 2))
@@ -356,40 +378,59 @@ export default class JoyrideTooltip extends React.Component {
   }
 
   setOpts(props = this.props) {
-    const { animate, offsetParentSelector, position, standalone, target, xPos } = props;
-    const offsetParent = document.querySelector(sanitizeSelector(offsetParentSelector));
+    const { animate, position, standalone, step, xPos, yPos } = props;
     const tooltip = document.querySelector('.joyride-tooltip');
 
     const opts = {
       classes: ['joyride-tooltip'],
-      rect: getOffsetBoundingClientRect(target, offsetParent),
+      rect: this.getTargetRect(props),
       positionClass: position,
     };
 
     opts.positonBaseClass = opts.positionClass.match(/-/) ? opts.positionClass.split('-')[0] : opts.positionClass;
 
-    if ((/^bottom$/.test(opts.positionClass) || /^top$/.test(opts.positionClass)) && xPos > -1) {
-      opts.tooltip = { width: 450 };
-
-      /* istanbul ignore else */
-      if (tooltip) {
-        opts.tooltip = getOffsetBoundingClientRect(tooltip, offsetParent);
+    if (xPos > -1000 && tooltip && !isModalStep(step)) {
+      const arrow = tooltip.querySelector('.joyride-tooltip__triangle');
+      const radius = parseInt(window.getComputedStyle(tooltip).borderTopLeftRadius || 0, 10);
+
+      opts.tooltip = {
+        height: tooltip.clientHeight,
+        width: tooltip.clientWidth
+      };
+
+      if (['top', 'bottom'].indexOf(opts.positonBaseClass) > -1) {
+        opts.targetMiddle = opts.rect.left + (opts.rect.width / 2);
+        opts.arrowPosition = this.getArrowPosition(
+          opts.targetMiddle - xPos,
+          opts.tooltip.width,
+          (arrow ? arrow.offsetWidth / 2 : 0) + radius
+        );
+      }
+      else {
+        opts.targetMiddle = opts.rect.top + (opts.rect.height / 2);
+        opts.arrowPosition = this.getArrowPosition(
+          opts.targetMiddle - yPos,
+          opts.tooltip.height,
+          (arrow ? arrow.offsetHeight / 2 : 0) + radius
+        );
       }
-
-      opts.targetMiddle = (opts.rect.left + (opts.rect.width / 2));
-      opts.arrowPosition = (((opts.targetMiddle - xPos) / opts.tooltip.width) * 100).toFixed(2);
-      opts.arrowPosition = `${this.getArrowPosition(opts.arrowPosition)}%`;
     }
 
     if (standalone) {
       opts.classes.push('joyride-tooltip--standalone');
     }
 
-    if (opts.positonBaseClass !== opts.positionClass) {
-      opts.classes.push(opts.positonBaseClass);
+    // Modal steps have no target to point at, so they don't get the position classes (and the arrow)
+    if (isModalStep(step)) {
+      opts.classes.push('joyride-tooltip--modal');
     }
+    else {
+      if (opts.positonBaseClass !== opts.positionClass) {
+        opts.classes.push(opts.positonBaseClass);
+      }
 
-    opts.classes.push(opts.positionClass);
+      opts.classes.push(opts.positionClass);
+    }
 
     if (animate) {
       opts.classes.push('joyride-tooltip--animate');
@@ -400,11 +441,16 @@ export default class JoyrideTooltip extends React.Component {
 
   handleMouseMove = (e) => {
     const event = e || window.e;
-    const { hole } = this.state.styles;
-    const offsetY = hole.position === 'fixed' ? event.clientY : event.pageY;
-    const offsetX = hole.position === 'fixed' ? event.clientX : event.pageX;
-    const inHoleHeight = (offsetY >= hole.top && offsetY <= hole.top + hole.height);
-    const inHoleWidth = (offsetX >= hole.left && offsetX <= hole.left + hole.width);
+    const holeEl = document.querySelector('.joyride-hole');
+
+    if (!holeEl) {
+      return;
+    }
+
+    // Compare viewport coordinates, whatever the offset parent and its scale
+    const hole = holeEl.getBoundingClientRect();
+    const inHoleHeight = (event.clientY >= hole.top && event.clientY <= hole.bottom);
+    const inHoleWidth = (event.clientX >= hole.left && event.clientX <= hole.right);
     const inHole = inHoleWidth && inHoleHeight;
 
     if (inHole && !this.state.mouseOverHole) {
@@ -514,7 +560,7 @@ export default class JoyrideTooltip extends React.Component {
       </div>
     );
 
-    if (showOverlay) {
+    if (showOverlay && !isModalStep(step)) {
       // Empty onClick handler is for iOS touch devices (https://github.com/gilbarbara/react-joyride/issues/204)
       output.hole = (
         <div className={`joyride-hole ${browser}`} style={styles.hole} onClick={() => {}} />
@@ -533,7 +579,7 @@ export default class JoyrideTooltip extends React.Component {
 
     return (
       <div
-        className="joyride-overlay"
+        className={`joyride-overlay${isModalStep(step) ? ' joyride-overlay--modal' : ''}`}
         style={overlayStyles}
         data-type="close"
         onClick={!disableOverlay ? onClick : undefined}>
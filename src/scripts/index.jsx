@@ -1,7 +1,23 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import scroll from 'scroll';
-import { getRootEl, getOffsetBoundingClientRect, logger, sanitizeSelector, getDocHeight } from './utils';
+import {
+  canScroll,
+  getBoundingRect,
+  getOffsetBoundingClientRect,
+  getRelativeRect,
+  getRootEl,
+  getScrollParents,
+  getTargetElements,
+  getVisibleRect,
+  hasFixedPosition,
+  isModalStep,
+  isRectVisible,
+  logger,
+  sanitizeSelector
+} from './utils';
+import { fitPlacement, getBeaconPlacement, getPlacementPreset, positions, registerPlacement } from './placement';
+import { isVirtualTarget } from './presets';
 
 import Beacon from './Beacon';
 import Tooltip from './Tooltip';
@@ -9,8 +25,11 @@ import Tooltip from './Tooltip';
 const defaultState = {
   action: '',
   index: 0,
+  isPending: false, // Waiting for the step target to be mounted
   isRunning: false,
+  isScrolling: false,
   isTourSkipped: false,
+  position: null, // The position the tooltip was actually placed at
   shouldRedraw: true,
   shouldRenderTooltip: false,
   shouldRun: false,
@@ -35,7 +54,18 @@ const callbackTypes = {
 
 const DEFAULTS = {
   position: 'top',
-  minWidth: 290
+  minWidth: 290,
+  waitForTarget: {
+    interval: 250,
+    timeout: 5000
+  }
+};
+
+// The axes scrolled for each scrollToSteps value
+const scrollAxes = {
+  both: ['top', 'left'],
+  vertical: ['top'],
+  none: []
 };
 
 let hasTouch = false;
@@ -53,6 +83,7 @@ class Joyride extends React.Component {
 
   static propTypes = {
     allowClicksThruHole: PropTypes.bool,
+    anchorSelector: PropTypes.string,
     autoStart: PropTypes.bool,
     callback: PropTypes.func,
     debug: PropTypes.bool,
@@ -60,24 +91,44 @@ class Joyride extends React.Component {
     holePadding: PropTypes.number,
     keyboardNavigation: PropTypes.bool,
     locale: PropTypes.object,
+    lockScroll: PropTypes.bool,
     offsetParentSelector: PropTypes.string,
+    placements: PropTypes.objectOf(PropTypes.func),
     resizeDebounce: PropTypes.bool,
     resizeDebounceDelay: PropTypes.number,
+    restoreOnEnd: PropTypes.bool,
     run: PropTypes.bool,
+    scrollDuration: PropTypes.number,
+    scrollEasing: PropTypes.func,
+    scrollMode: PropTypes.oneOf(['always', 'if-needed']),
     scrollOffset: PropTypes.number,
+    scrollOffsetSelector: PropTypes.string,
     scrollToFirstStep: PropTypes.bool,
-    scrollToSteps: PropTypes.bool,
+    scrollToSteps: PropTypes.oneOfType([
+      PropTypes.bool,
+      PropTypes.oneOf(['both', 'vertical', 'none'])
+    ]),
     showBackButton: PropTypes.bool,
     showOverlay: PropTypes.bool,
     showSkipButton: PropTypes.bool,
     showStepsProgress: PropTypes.bool,
     stepIndex: PropTypes.number,
     steps: PropTypes.array,
-    type: PropTypes.string
+    tooltipOffset: PropTypes.number,
+    type: PropTypes.string,
+    viewportMargin: PropTypes.number,
+    waitForTarget: PropTypes.oneOfType([
+      PropTypes.bool,
+      PropTypes.shape({
+        interval: PropTypes.number,
+        timeout: PropTypes.number
+      })
+    ])
   };
 
   static defaultProps = {
     allowClicksThruHole: false,
+    anchorSelector: '#super-button',
     autoStart: false,
     debug: false,
     disableOverlay: false,
@@ -90,10 +141,15 @@ class Joyride extends React.Component {
       next: 'Next',
       skip: 'Skip'
     },
+    lockScroll: false,
     offsetParentSelector: 'body',
+    placements: {},
     resizeDebounce: false,
     resizeDebounceDelay: 200,
+    restoreOnEnd: false,
     run: false,
+    scrollDuration: 350,
+    scrollMode: 'if-needed',
     scrollOffset: 20,
     scrollToFirstStep: false,
     scrollToSteps: true,
@@ -103,7 +159,10 @@ class Joyride extends React.Component {
     showStepsProgress: false,
     stepIndex: 0,
     steps: [],
-    type: 'single'
+    tooltipOffset: 30,
+    type: 'single',
+    viewportMargin: 15,
+    waitForTarget: false
   };
 
   componentDidMount() {
@@ -191,6 +250,7 @@ class Joyride extends React.Component {
       // run prop was changed to off, so stop the joyride
       if (run && !nextProps.run) {
         this.stop();
+        this.shouldRestore = true;
         didStop = true;
       }
       // run prop was changed to on, so start the joyride
@@ -244,7 +304,7 @@ class Joyride extends React.Component {
   }
 
   componentWillUpdate(nextProps, nextState) {
-    const { index, isRunning, shouldRenderTooltip, standaloneData } = this.state;
+    const { index, isPending, isRunning, shouldRenderTooltip, standaloneData } = this.state;
     const { steps } = this.props;
     const { steps: nextSteps } = nextProps;
     const step = steps[index];
@@ -267,7 +327,7 @@ class Joyride extends React.Component {
     }
 
     // Tried to start, but something went wrong and we're not actually running
-    if (nextState.action === 'start' && !nextState.isRunning) {
+    if (nextState.action === 'start' && !nextState.isRunning && !isPending) {
       // There's a step to use, but there's no target in the DOM
       if (nextStep && !hasRenderedTarget) {
         console.warn('Target not mounted', nextStep, nextState.action); //eslint-disable-line no-console
@@ -310,9 +370,9 @@ class Joyride extends React.Component {
         step
       });
 
-      // Attempted to advance to a step with a target that cannot be found
+      // Attempted to advance to a step with a target that cannot be found (and we're not waiting for it)
       /* istanbul ignore else */
-      if (nextStep && !hasRenderedTarget) {
+      if (nextStep && !hasRenderedTarget && !nextState.isPending) {
         console.warn('Target not mounted', nextStep, nextState.action); //eslint-disable-line no-console
         this.triggerCallback({
           action: nextState.action,
@@ -363,33 +423,67 @@ class Joyride extends React.Component {
         steps: nextSteps,
         isTourSkipped: nextState.isTourSkipped
       });
+      this.shouldRestore = true;
     }
   }
 
   componentDidUpdate(prevProps, prevState) {
-    const { index, shouldRedraw, isRunning, shouldRun, standaloneData } = this.state;
-    const { scrollToFirstStep, scrollToSteps, steps } = this.props;
+    const { index, isPending, shouldRedraw, isRunning, shouldRenderTooltip, shouldRun, standaloneData } = this.state;
+    const { scrollToFirstStep, steps } = this.props;
     const step = steps[index];
-    const scrollTop = this.getScrollTop();
+    // Only scroll when a step is displayed, not on the re-renders that follow the user's scrolls
+    const hasStepChanged = !prevState.isRunning
+      || prevState.index !== index
+      || prevState.shouldRenderTooltip !== shouldRenderTooltip
+      || (prevState.isPending && !isPending);
     const shouldScroll = (
       scrollToFirstStep || (index > 0 || prevState.index > index))
-      && (step && !step.isFixed); // fixed steps don't need to scroll
+      && hasStepChanged
+      && (step && !isModalStep(step)); // modal steps don't need to scroll
 
     if (shouldRedraw && step) {
       this.calcPlacement();
     }
 
-    if (isRunning && scrollToSteps && shouldScroll && scrollTop >= 0) {
-      scroll.top(getRootEl(), this.getScrollTop());
+    if (isRunning && shouldScroll) {
+      const targets = this.getStepTargetElements(step);
+      // Fixed targets don't move with the page, but their scroll containers still scroll
+      const isFixed = targets.length > 0 && (
+        typeof step.isFixed === 'boolean' ? step.isFixed : hasFixedPosition(targets[0], false)
+      );
+
+      this.scrollToTarget(targets, !isFixed);
     }
 
     if (steps.length && (!isRunning && shouldRun && !standaloneData)) {
       this.start();
     }
+
+    this.watchTarget(isRunning || standaloneData ? this.getStepTargetElement(standaloneData || step) : null);
+    this.waitForTarget(isRunning && isPending ? index : null);
+
+    if (this.shouldRestore) {
+      this.shouldRestore = false;
+      this.restoreUserState();
+    }
+    // Stopped for another reason (e.g. a target not found): the next start records a fresh state
+    else if (prevState.isRunning && !isRunning) {
+      this.userState = null;
+    }
+
+    this.toggleScrollLock();
   }
 
   componentWillUnmount() {
     window.removeEventListener('resize', this.listeners.resize);
+    this.watchTarget(null);
+    this.waitForTarget(null);
+    this.toggleScrollLock(false);
+
+    /* istanbul ignore else */
+    if (this.cancelScroll) {
+      this.cancelScroll();
+    }
 
     /* istanbul ignore else */
     if (this.listeners.keyboard) {
@@ -400,12 +494,9 @@ class Joyride extends React.Component {
     if (Object.keys(this.listeners.tooltips).length) {
       Object.keys(this.listeners.tooltips)
         .map(key => ({
-          el: document.querySelector(key),
-          event: this.listeners.tooltips[key].event,
-          cb: this.listeners.tooltips[key].cb,
+          ...this.listeners.tooltips[key],
           key
         }))
-        .filter(({ el }) => !!el)
         .forEach(({ el, event, cb, key }) => {
           el.removeEventListener(event, cb);
           delete this.listeners.tooltips[key];
@@ -413,6 +504,16 @@ class Joyride extends React.Component {
     }
   }
 
+  /**
+   * Register a placement preset for all instances
+   *
+   * @param {string}   name - The preset name
+   * @param {Function} fn   - Receives the placement context and returns the tooltip coordinates
+   */
+  static registerPlacement(name, fn) {
+    registerPlacement(name, fn);
+  }
+
   /**
    * Starts the tour
    *
@@ -424,7 +525,8 @@ class Joyride extends React.Component {
    */
   start(autorun, steps = this.props.steps, startIndex = this.state.index) {
     const hasMountedTarget = Boolean(this.getStepTargetElement(steps[startIndex]));
-    const shouldRenderTooltip = (autorun === true) && hasMountedTarget;
+    const isPending = !hasMountedTarget && Boolean(this.getWaitForTarget(steps[startIndex]));
+    const shouldRenderTooltip = (autorun === true) && (hasMountedTarget || isPending);
 
     logger({
       type: 'joyride:start',
@@ -432,15 +534,89 @@ class Joyride extends React.Component {
       debug: this.props.debug,
     });
 
+    /* istanbul ignore else */
+    if (!this.userState) {
+      this.userState = {
+        focus: document.activeElement,
+        scroll: []
+      };
+      this.saveScrollPosition(getRootEl());
+    }
+
     this.setState({
       action: 'start',
       index: startIndex,
-      isRunning: Boolean(steps.length) && hasMountedTarget,
+      isPending,
+      isRunning: Boolean(steps.length) && (hasMountedTarget || isPending),
       shouldRenderTooltip,
       shouldRun: !steps.length,
     });
   }
 
+  /**
+   * Record the scroll position of an element, so it can be restored when the tour ends
+   *
+   * @private
+   * @param {Element} el - A scrollable element
+   */
+  saveScrollPosition(el) {
+    const { userState } = this;
+
+    /* istanbul ignore else */
+    if (userState && !userState.scroll.some(d => d.el === el)) {
+      userState.scroll.push({
+        el,
+        left: el.scrollLeft,
+        top: el.scrollTop
+      });
+    }
+  }
+
+  /**
+   * Restore the scroll positions and the focused element recorded when the tour started
+   *
+   * @private
+   */
+  restoreUserState() {
+    const { restoreOnEnd, scrollDuration, scrollEasing } = this.props;
+    const { userState } = this;
+
+    this.userState = null;
+
+    if (!restoreOnEnd || !userState) {
+      return;
+    }
+
+    logger({
+      type: 'joyride:restoreUserState',
+      msg: ['focus:', userState.focus, 'scroll:', userState.scroll],
+      debug: this.props.debug,
+    });
+
+    if (this.cancelScroll) {
+      this.cancelScroll();
+      this.cancelScroll = null;
+      this.setState({ isScrolling: false });
+    }
+
+    // Focus first, since focusing might scroll the page
+    if (userState.focus && userState.focus !== document.body && document.body.contains(userState.focus)) {
+      userState.focus.focus();
+    }
+
+    userState.scroll
+      .filter(({ el }) => el === getRootEl() || document.body.contains(el))
+      .forEach(({ el, left, top }) => {
+        const options = {
+          duration: scrollDuration,
+          ease: scrollEasing
+        };
+
+        scroll.top(el, top, options);
+        scroll.left(el, left, options);
+      });
+  }
+
   /**
    * Stop the tour
    *
@@ -560,14 +736,27 @@ class Joyride extends React.Component {
       return;
     }
 
+    // The data is serialized on the trigger, elements, refs and functions don't survive it
+    if (data.target || data.frame || (data.trigger && typeof data.trigger !== 'string')) {
+      logger({
+        type: 'joyride:addTooltip:FAIL',
+        msg: ['Standalone tooltips need a `selector` (and a `trigger` selector), not a `target` or `frame`.', 'data:', data],
+        warn: true,
+        debug: this.props.debug,
+      });
+
+      return;
+    }
+
     logger({
       type: 'joyride:addTooltip',
       msg: ['data:', data],
       debug: this.props.debug,
     });
 
-    const key = data.trigger || sanitizeSelector(data.selector);
-    const el = document.querySelector(key);
+    // Resolve the trigger like the step targets, so shadow DOM paths and matchers work too
+    const key = data.trigger || this.getStepSelector(data);
+    const el = data.trigger ? getTargetElements(data.trigger)[0] : this.getStepTargetElement(data);
 
     if (!el) {
       return;
@@ -578,14 +767,14 @@ class Joyride extends React.Component {
 
     /* istanbul ignore else */
     if (eventType === 'hover') {
-      this.listeners.tooltips[`${key}mouseenter`] = { event: 'mouseenter', cb: this.handleClickStandaloneTrigger };
-      this.listeners.tooltips[`${key}mouseleave`] = { event: 'mouseleave', cb: this.handleClickStandaloneTrigger };
+      this.listeners.tooltips[`${key}mouseenter`] = { el, event: 'mouseenter', cb: this.handleClickStandaloneTrigger };
+      this.listeners.tooltips[`${key}mouseleave`] = { el, event: 'mouseleave', cb: this.handleClickStandaloneTrigger };
 
       el.addEventListener('mouseenter', this.listeners.tooltips[`${key}mouseenter`].cb);
       el.addEventListener('mouseleave', this.listeners.tooltips[`${key}mouseleave`].cb);
     }
 
-    this.listeners.tooltips[`${key}click`] = { event: 'click', cb: this.handleClickStandaloneTrigger };
+    this.listeners.tooltips[`${key}click`] = { el, event: 'click', cb: this.handleClickStandaloneTrigger };
     el.addEventListener('click', this.listeners.tooltips[`${key}click`].cb);
   }
 
@@ -622,8 +811,13 @@ class Joyride extends React.Component {
       return false;
     }
 
+    // Targetless steps are displayed as a modal
+    if (isModalStep(step)) {
+      return true;
+    }
+
     // Check that all required step fields are present
-    const requiredFields = ['selector'];
+    const requiredFields = [step.target ? 'target' : 'selector'];
     const hasRequiredField = (requiredField) => {
       const hasField = Boolean(step[requiredField]);
 
@@ -661,60 +855,214 @@ class Joyride extends React.Component {
   }
 
   /**
-   * Find and return the targeted DOM element based on a step's 'selector'.
+   * Get a step's selector as a single selector list
    *
    * @private
    * @param {Object} step - A step object
-   * @returns {Element} - A DOM element (if found)
+   * @returns {string}
    */
-  getStepTargetElement(step) {
+  getStepSelector(step) {
+    if (!step.selector) {
+      return '';
+    }
+
+    return [].concat(step.selector)
+      .map((d) => {
+        const selector = sanitizeSelector(d);
+
+        return typeof selector === 'string' ? selector : JSON.stringify(selector);
+      })
+      .join(', ');
+  }
+
+  /**
+   * Find and return the targeted DOM elements based on a step's 'target' or 'selector'.
+   * This is the only place step targets are resolved.
+   * The selector can be an array of selectors or matcher objects, for all the elements they find.
+   * If it finds nothing, the step 'fallbacks' are tried in order, the first one that finds an element is used.
+   * The target can be a DOM element, a React ref object or a function returning an element.
+   * With a 'frame', selectors and matchers are resolved in the iframe document.
+   *
+   * @private
+   * @param {Object} step - A step object
+   * @returns {Array} - The DOM elements found, in document order
+   */
+  getStepTargetElements(step) {
     const isValidStep = this.checkStepValidity(step);
     if (!isValidStep) {
-      return null;
+      return [];
     }
 
-    const el = document.querySelector(sanitizeSelector(step.selector));
+    if (isModalStep(step)) {
+      return [document.body];
+    }
 
-    if (!el) {
+    const frame = step.frame ? getTargetElements(step.frame)[0] : null;
+    const doc = step.frame ? frame && frame.contentDocument : document;
+    let els = [];
+
+    if (!doc) {
       logger({
         type: 'joyride:getStepTargetElement',
-        msg: 'Target not rendered. For best results only add steps after they are mounted.',
+        msg: [frame ? 'Frame not same-origin.' : 'Frame not rendered.', 'Step:', step],
         warn: true,
         debug: this.props.debug,
       });
 
-      return null;
+      return els;
+    }
+
+    if (step.target) {
+      els = getTargetElements(step.target, doc);
     }
+    else {
+      const selectors = [step.selector].concat(step.fallbacks || []);
+
+      selectors.some((d, i) => {
+        els = getTargetElements([].concat(d).map(selector => sanitizeSelector(selector)), doc);
+
+        if (els.length && selectors.length > 1) {
+          logger({
+            type: 'joyride:getStepTargetElement',
+            msg: [i ? `Matched fallback ${i} of ${selectors.length - 1}:` : 'Matched selector:', d, 'Step:', step],
+            warn: i > 0,
+            debug: this.props.debug,
+          });
+        }
+
+        return els.length > 0;
+      });
+    }
+
+    if (!els.length) {
+      logger({
+        type: 'joyride:getStepTargetElement',
+        msg: 'Target not rendered. For best results only add steps after they are mounted.',
+        warn: true,
+        debug: this.props.debug,
+      });
+    }
+
+    return els;
+  }
 
-    return el;
+  /**
+   * Find and return the targeted DOM element based on a step's 'selector'.
+   * For steps with many elements, that's the first one.
+   *
+   * @private
+   * @param {Object} step - A step object
+   * @returns {Element} - A DOM element (if found)
+   */
+  getStepTargetElement(step) {
+    return this.getStepTargetElements(step)[0] || null;
   }
 
   /**
    * Get an element actual dimensions with margin
    *
    * @private
-   * @returns {{height: number, width: number}}
+   * @returns {{height: number, width: number, margin: Object}}
    */
   getElementDimensions() {
     const { shouldRenderTooltip, standaloneData } = this.state;
     const displayTooltip = standaloneData ? true : shouldRenderTooltip;
     const el = document.querySelector(displayTooltip ? '.joyride-tooltip' : '.joyride-beacon');
+    const margin = {
+      top: 0,
+      right: 0,
+      bottom: 0,
+      left: 0
+    };
 
     let height = 0;
     let width = 0;
 
     if (el) {
       const styles = window.getComputedStyle(el);
-      height = el.clientHeight + parseInt(styles.marginTop || 0, 10) + parseInt(styles.marginBottom || 0, 10);
-      width = el.clientWidth + parseInt(styles.marginLeft || 0, 10) + parseInt(styles.marginRight || 0, 10);
+      margin.top = parseInt(styles.marginTop || 0, 10);
+      margin.right = parseInt(styles.marginRight || 0, 10);
+      margin.bottom = parseInt(styles.marginBottom || 0, 10);
+      margin.left = parseInt(styles.marginLeft || 0, 10);
+
+      height = el.clientHeight + margin.top + margin.bottom;
+      width = el.clientWidth + margin.left + margin.right;
     }
 
     return {
       height,
-      width
+      width,
+      margin
     };
   }
 
+  /**
+   * Check if the step target stays in place when the page scrolls.
+   * An explicit step.isFixed takes precedence over the detection.
+   *
+   * @private
+   * @param {Object} step - A step object
+   * @param {Element} [target] - The step target, if already resolved
+   * @returns {boolean}
+   */
+  isStepFixed(step, target = this.getStepTargetElement(step)) {
+    if (typeof step.isFixed === 'boolean') {
+      return step.isFixed;
+    }
+
+    return Boolean(target) && hasFixedPosition(target);
+  }
+
+  /**
+   * Get the rect of the element placement presets are positioned against.
+   * Falls back to the viewport if the anchor isn't rendered.
+   *
+   * @private
+   * @param {Object} step - A step object
+   * @returns {DOMRect|Object}
+   */
+  getAnchorRect(step) {
+    const { anchorSelector } = this.props;
+    const anchor = step.anchor || anchorSelector;
+    const el = typeof anchor === 'string' ? document.querySelector(anchor) : anchor;
+
+    if (el && typeof el.getBoundingClientRect === 'function') {
+      return el.getBoundingClientRect();
+    }
+
+    if (anchor) {
+      logger({
+        type: 'joyride:getAnchorRect',
+        msg: [`Anchor "${anchor}" not rendered. Using the viewport instead.`, 'Step:', step],
+        warn: true,
+        debug: this.props.debug,
+      });
+    }
+
+    return {
+      top: 0,
+      right: window.innerWidth,
+      bottom: window.innerHeight,
+      left: 0,
+      width: window.innerWidth,
+      height: window.innerHeight
+    };
+  }
+
+  /**
+   * Get the space to keep above the target when scrolling the page:
+   * the scrollOffset plus the height of the scrollOffsetSelector element (e.g. a sticky header)
+   *
+   * @private
+   * @returns {number}
+   */
+  getScrollOffset() {
+    const { scrollOffset, scrollOffsetSelector } = this.props;
+    const el = scrollOffsetSelector && document.querySelector(scrollOffsetSelector);
+
+    return scrollOffset + (el ? el.getBoundingClientRect().height : 0);
+  }
+
   /**
    * Get the scrollTop position
    *
@@ -723,18 +1071,18 @@ class Joyride extends React.Component {
    */
   getScrollTop() {
     const { index } = this.state;
-    const { offsetParentSelector, scrollOffset, steps } = this.props;
+    const { steps } = this.props;
     const step = steps[index];
-    const target = this.getStepTargetElement(step);
-    const offsetParent = document.querySelector(sanitizeSelector(offsetParentSelector));
+    const targets = this.getStepTargetElements(step);
 
-    if (!target) {
+    if (!targets.length) {
       return 0;
     }
 
-    const rect = getOffsetBoundingClientRect(target, offsetParent);
+    // The window scrolls in viewport pixels, whatever the scale of the offset parent
+    const rect = getBoundingRect(targets);
     const targetTop = rect.top + (window.pageYOffset || document.documentElement.scrollTop);
-    return Math.floor(targetTop - scrollOffset);
+    return Math.floor(targetTop - this.getScrollOffset());
   }
 
   /**
@@ -743,15 +1091,405 @@ class Joyride extends React.Component {
    * @private
    * @returns {number}
    */
-  getScrollLeft(baseLeftPostition) { // get offset X of hole
+  getScrollLeft() {
     const { index } = this.state;
-    const { offsetParentSelector, steps } = this.props;
+    const { scrollOffset, steps } = this.props;
     const step = steps[index];
-    const target = this.getStepTargetElement(step);
-    const offsetParent = document.querySelector(sanitizeSelector(offsetParentSelector));
-    if (!target) return 0;
-    const rect = getOffsetBoundingClientRect(target, offsetParent);
-    return rect.left - baseLeftPostition;
+    const targets = this.getStepTargetElements(step);
+
+    if (!targets.length) {
+      return 0;
+    }
+
+    const rect = getBoundingRect(targets);
+    const targetLeft = rect.left + (window.pageXOffset || document.documentElement.scrollLeft);
+    return Math.floor(targetLeft - scrollOffset);
+  }
+
+  /**
+   * Check if the target and its tooltip, at its planned placement, are both visible
+   *
+   * @private
+   * @param {Array} targets - The step targets
+   * @param {Array} [axes] - The axes to check
+   * @returns {boolean}
+   */
+  isStepVisible(targets, axes) {
+    const options = {
+      axes,
+      containers: getScrollParents(targets[0]),
+      offsetTop: this.getScrollOffset()
+    };
+
+    if (!isRectVisible(getBoundingRect(targets), options)) {
+      return false;
+    }
+
+    // The tooltip isn't moved to its placement yet, check the planned one
+    const { bounds, placement, size } = this.getPlacement() || {};
+
+    if (!placement) {
+      return true;
+    }
+
+    // Back from the tooltip coordinates to the viewport
+    const scale = {
+      x: bounds.width ? window.innerWidth / bounds.width : 1,
+      y: bounds.height ? window.innerHeight / bounds.height : 1
+    };
+    const top = (placement.y - bounds.top) * scale.y;
+    const left = (placement.x - bounds.left) * scale.x;
+
+    return isRectVisible({
+      top,
+      right: left + (size.width * scale.x),
+      bottom: top + (size.height * scale.y),
+      left
+    }, { ...options, containers: [] });
+  }
+
+  /**
+   * Scroll the target's scrollable ancestors in turn, from the closest one to the document root,
+   * until the target is visible. The scrollOffset is applied in each container.
+   * The tooltip and the hole aren't rendered until the scroll ends.
+   *
+   * @private
+   * @param {Array} targets - The step targets. The scrollable ancestors are the first one's.
+   * @param {boolean} [shouldScrollRoot] - Set to false to only scroll the containers, e.g. for fixed targets
+   */
+  scrollToTarget(targets, shouldScrollRoot = true) {
+    const { scrollDuration, scrollEasing, scrollMode, scrollOffset, scrollToSteps } = this.props;
+    let axes = scrollAxes[scrollToSteps] || [];
+
+    /* istanbul ignore else */
+    if (typeof scrollToSteps === 'boolean') {
+      axes = scrollToSteps ? scrollAxes.vertical : scrollAxes.none;
+    }
+
+    if (!targets.length || !axes.length || this.state.isScrolling) {
+      return;
+    }
+
+    if (scrollMode === 'if-needed' && this.isStepVisible(targets, axes)) {
+      return;
+    }
+
+    // How much the target will move once the containers before the current one are scrolled
+    const delta = { top: 0, left: 0 };
+
+    const queue = getScrollParents(targets[0]).map((el) => {
+      const containerRect = getVisibleRect(el);
+      const targetRect = getBoundingRect(targets);
+      const to = {};
+
+      axes.forEach((axis) => {
+        const scrollProp = axis === 'top' ? 'scrollTop' : 'scrollLeft';
+        const position = (targetRect[axis] + delta[axis]) - containerRect[axis];
+
+        to[axis] = Math.max(Math.floor((el[scrollProp] + position) - scrollOffset), 0);
+        delta[axis] -= to[axis] - el[scrollProp];
+      });
+
+      return { el, to };
+    });
+    if (shouldScrollRoot) {
+      const root = {
+        el: getRootEl(),
+        to: {}
+      };
+
+      axes.forEach((axis) => {
+        const value = (axis === 'top' ? this.getScrollTop() : this.getScrollLeft()) + delta[axis];
+
+        if (value >= 0) {
+          root.to[axis] = value;
+        }
+      });
+      queue.push(root);
+    }
+
+    // Skip the containers that are already in place
+    const jobs = queue
+      .map(({ el, to }) => ({
+        el,
+        axes: Object.keys(to).filter(d => Math.abs(el[d === 'top' ? 'scrollTop' : 'scrollLeft'] - to[d]) >= 1),
+        to
+      }))
+      .filter(d => d.axes.length);
+
+    if (!jobs.length) {
+      return;
+    }
+
+    const options = {
+      duration: scrollDuration,
+      ease: scrollEasing
+    };
+    let cancels = [];
+    let cancelled = false;
+
+    jobs.forEach(({ el }) => this.saveScrollPosition(el));
+
+    const scrollNext = () => {
+      if (cancelled) {
+        return;
+      }
+
+      const next = jobs.shift();
+
+      if (!next) {
+        this.cancelScroll = null;
+        this.setState({
+          isScrolling: false,
+          shouldRedraw: true
+        });
+        return;
+      }
+
+      let pending = next.axes.length;
+
+      cancels = next.axes.map(axis => scroll[axis](next.el, next.to[axis], options, () => {
+        pending -= 1;
+
+        if (!pending) {
+          scrollNext();
+        }
+      }));
+    };
+
+    this.cancelScroll = () => {
+      cancelled = true;
+      cancels.forEach(fn => typeof fn === 'function' && fn());
+    };
+
+    // The tooltip and the hole are rendered once the scroll ends
+    this.setState({ isScrolling: true });
+    scrollNext();
+  }
+
+  /**
+   * Prevent the user from scrolling the document while a tooltip is rendered,
+   * if lockScroll is enabled for the current step.
+   *
+   * @private
+   * @param {boolean} [enable] - Defaults to the current step's lockScroll
+   */
+  toggleScrollLock(enable) {
+    const { index, isRunning, shouldRenderTooltip, standaloneData } = this.state;
+    const { lockScroll, steps } = this.props;
+    const step = standaloneData || steps[index];
+    let shouldLock = enable;
+
+    if (typeof shouldLock !== 'boolean') {
+      shouldLock = Boolean(step) && (standaloneData || (isRunning && shouldRenderTooltip))
+        && (typeof step.lockScroll === 'boolean' ? step.lockScroll : lockScroll);
+    }
+
+    if (shouldLock && !this.listeners.scrollLock) {
+      this.listeners.scrollLock = this.handleScrollLock;
+      document.addEventListener('wheel', this.listeners.scrollLock, { passive: false });
+      document.addEventListener('touchstart', this.listeners.scrollLock, { passive: true });
+      document.addEventListener('touchmove', this.listeners.scrollLock, { passive: false });
+      document.addEventListener('keydown', this.listeners.scrollLock, false);
+    }
+    else if (!shouldLock && this.listeners.scrollLock) {
+      document.removeEventListener('wheel', this.listeners.scrollLock, { passive: false });
+      document.removeEventListener('touchstart', this.listeners.scrollLock, { passive: true });
+      document.removeEventListener('touchmove', this.listeners.scrollLock, { passive: false });
+      document.removeEventListener('keydown', this.listeners.scrollLock, false);
+      delete this.listeners.scrollLock;
+    }
+  }
+
+  /**
+   * Track the geometry of the active target, so the hole and the tooltip follow it
+   * when a scroll container scrolls or the layout changes.
+   *
+   * @private
+   * @param {Element|null} target - The element to track, null to stop tracking
+   */
+  watchTarget(target) {
+    const { target: watched } = this.listeners;
+
+    if (watched && watched.el === target) {
+      return;
+    }
+
+    if (watched) {
+      window.removeEventListener('scroll', watched.update);
+      watched.scrollParents.forEach(d => d.removeEventListener('scroll', watched.update));
+      document.removeEventListener('load', watched.update, true);
+
+      if (watched.resizeObserver) {
+        watched.resizeObserver.disconnect();
+      }
+
+      if (watched.mutationObserver) {
+        watched.mutationObserver.disconnect();
+      }
+
+      cancelAnimationFrame(watched.frame);
+      delete this.listeners.target;
+    }
+
+    if (!target || target === document.body) {
+      return;
+    }
+
+    const listener = {
+      el: target,
+      frame: null,
+      // An iframe document scrolls its own document, not its root element
+      scrollParents: getScrollParents(target)
+        .map(d => (d === d.ownerDocument.documentElement || d === d.ownerDocument.scrollingElement ? d.ownerDocument : d)),
+    };
+
+    // Throttle the updates to one per frame
+    listener.update = () => {
+      if (listener.frame) {
+        return;
+      }
+
+      listener.frame = requestAnimationFrame(() => {
+        listener.frame = null;
+        this.calcPlacement();
+      });
+    };
+
+    window.addEventListener('scroll', listener.update);
+    listener.scrollParents.forEach(d => d.addEventListener('scroll', listener.update));
+    // Images and iframes loading might move the target
+    document.addEventListener('load', listener.update, true);
+
+    if (typeof window.ResizeObserver === 'function') {
+      listener.resizeObserver = new window.ResizeObserver(listener.update);
+      listener.resizeObserver.observe(target);
+      listener.resizeObserver.observe(document.body);
+    }
+
+    if (typeof window.MutationObserver === 'function') {
+      listener.mutationObserver = new window.MutationObserver((mutations) => {
+        // Ignore our own renders
+        if (mutations.some(d => !this.node || !this.node.contains(d.target))) {
+          listener.update();
+        }
+      });
+      const root = typeof target.getRootNode === 'function' ? target.getRootNode() : null;
+
+      // The target might be in an iframe or in a shadow root
+      [document.body, target.ownerDocument.body, root && root.host ? root : null]
+        .filter((d, i, list) => d && list.indexOf(d) === i)
+        .forEach(d => listener.mutationObserver.observe(d, {
+          attributes: true,
+          characterData: true,
+          childList: true,
+          subtree: true
+        }));
+    }
+
+    this.listeners.target = listener;
+  }
+
+  /**
+   * Get the waitForTarget options of a step
+   *
+   * @private
+   * @param {Object} step - A step object
+   * @returns {Object|null} - The interval and timeout, or null if the step shouldn't wait for its target
+   */
+  getWaitForTarget(step) {
+    const options = step && typeof step.waitForTarget !== 'undefined' ? step.waitForTarget : this.props.waitForTarget;
+
+    if (!options) {
+      return null;
+    }
+
+    return { ...DEFAULTS.waitForTarget, ...(typeof options === 'object' ? options : {}) };
+  }
+
+  /**
+   * Hold a step until its target is mounted.
+   * When it is, the step is displayed. If the timeout expires first, the tour stops (error:target_not_found).
+   *
+   * @private
+   * @param {number|null} index - The index of the pending step, null to stop waiting
+   */
+  waitForTarget(index) {
+    const { pending } = this.listeners;
+
+    if (pending && pending.index === index) {
+      return;
+    }
+
+    if (pending) {
+      clearInterval(pending.interval);
+      clearTimeout(pending.timeout);
+      cancelAnimationFrame(pending.frame);
+
+      if (pending.mutationObserver) {
+        pending.mutationObserver.disconnect();
+      }
+
+      delete this.listeners.pending;
+    }
+
+    if (index === null) {
+      return;
+    }
+
+    const step = this.props.steps[index];
+    const { interval, timeout } = this.getWaitForTarget(step);
+    const listener = {
+      frame: null,
+      index
+    };
+
+    listener.check = () => {
+      if (this.getStepTargetElement(this.props.steps[index])) {
+        this.waitForTarget(null);
+        this.setState({ isPending: false, shouldRedraw: true });
+      }
+    };
+
+    logger({
+      type: 'joyride:waitForTarget',
+      msg: [`Waiting ${timeout}ms for the target.`, 'Step:', step],
+      debug: this.props.debug,
+    });
+
+    // Poll too, since iframes and shadow roots aren't observed
+    listener.interval = setInterval(listener.check, interval);
+    listener.timeout = setTimeout(() => {
+      this.waitForTarget(null);
+      console.warn('Target not mounted', step, this.state.action); //eslint-disable-line no-console
+      // Only the timeout reports it, stopping or moving on while waiting doesn't
+      this.triggerCallback({
+        action: this.state.action,
+        index,
+        type: callbackTypes.TARGET_NOT_FOUND,
+        step,
+      });
+      this.setState({ isPending: false, isRunning: false });
+    }, timeout);
+
+    if (typeof window.MutationObserver === 'function') {
+      listener.mutationObserver = new window.MutationObserver(() => {
+        // Throttle the checks to one per frame
+        if (!listener.frame) {
+          listener.frame = requestAnimationFrame(() => {
+            listener.frame = null;
+            listener.check();
+          });
+        }
+      });
+      listener.mutationObserver.observe(document.body, {
+        attributes: true,
+        childList: true,
+        subtree: true
+      });
+    }
+
+    this.listeners.pending = listener;
   }
 
   /**
@@ -805,6 +1543,59 @@ class Joyride extends React.Component {
     }
   };
 
+  /**
+   * Scroll lock event listener
+   *
+   * @private
+   * @param {Event} e - Wheel, touch or keyboard event
+   */
+  handleScrollLock = (e) => {
+    const { target } = e;
+    const tooltip = document.querySelector('.joyride-tooltip');
+
+    if (e.type === 'touchstart') {
+      this.lastTouch = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+      return;
+    }
+
+    if (tooltip && tooltip.contains(target)) {
+      // Keyboard events are for the tooltip controls
+      if (e.type === 'keydown') {
+        return;
+      }
+
+      let delta = { x: e.deltaX, y: e.deltaY };
+
+      if (e.type === 'touchmove') {
+        const touch = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+        const lastTouch = this.lastTouch || touch;
+
+        // Moving the finger up scrolls down
+        delta = { x: lastTouch.x - touch.x, y: lastTouch.y - touch.y };
+        this.lastTouch = touch;
+      }
+
+      // The tooltip content can still be scrolled, but the scroll mustn't chain to the page once it reaches an end
+      const containers = [target].concat(getScrollParents(target)).filter(d => tooltip.contains(d));
+
+      if (containers.some(d => canScroll(d, delta.x, delta.y))) {
+        return;
+      }
+    }
+
+    if (e.type === 'keydown') {
+      const intKey = (window.Event) ? e.which : e.keyCode;
+      const isEditable = ['INPUT', 'SELECT', 'TEXTAREA'].indexOf(target.tagName) > -1 || target.isContentEditable;
+
+      // space, page up, page down, end, home and arrows
+      if (isEditable || [32, 33, 34, 35, 36, 37, 38, 39, 40].indexOf(intKey) === -1) {
+        return;
+      }
+    }
+
+    e.preventDefault();
+  };
+
   /**
    * Tooltip event listener
    *
@@ -824,9 +1615,11 @@ class Joyride extends React.Component {
     if (tooltipData) {
       tooltipData = JSON.parse(tooltipData);
 
-      if (!standaloneData || (standaloneData.selector !== tooltipData.selector)) {
+      // Parsed selectors are new objects each time, compare them as strings
+      if (!standaloneData || (this.getStepSelector(standaloneData) !== this.getStepSelector(tooltipData))) {
         this.setState({
           isRunning: false,
+          position: null,
           shouldRenderTooltip: false,
           shouldRun: isRunning,
           standaloneData: tooltipData,
@@ -907,7 +1700,7 @@ class Joyride extends React.Component {
         this.toggleTooltip({ show: shouldDisplay, index: newIndex, action: dataType });
       }
 
-      if (e.target.className === 'joyride-overlay') {
+      if (e.target.classList.contains('joyride-overlay')) {
         this.triggerCallback({
           action: 'click',
           type: callbackTypes.OVERLAY,
@@ -942,15 +1735,18 @@ class Joyride extends React.Component {
   toggleTooltip({ show, index = this.state.index, action, steps = this.props.steps }) {
     const nextStep = steps[index];
     const hasMountedTarget = Boolean(this.getStepTargetElement(nextStep));
+    const isPending = Boolean(nextStep) && !hasMountedTarget && Boolean(this.getWaitForTarget(nextStep));
 
     this.setState({
       action,
       index,
-      // Stop playing if there is no next step or can't find the target
-      isRunning: (nextStep && hasMountedTarget) ? this.state.isRunning : false,
+      isPending,
+      // Stop playing if there is no next step or can't find the target (and we're not waiting for it)
+      isRunning: (nextStep && (hasMountedTarget || isPending)) ? this.state.isRunning : false,
       // If we are not showing now, or there is no target, we'll need to redraw eventually
+      position: null,
       shouldRedraw: !show || !hasMountedTarget,
-      shouldRenderTooltip: show && hasMountedTarget,
+      shouldRenderTooltip: show && (hasMountedTarget || isPending),
       xPos: -1000,
       yPos: -1000
     });
@@ -962,10 +1758,9 @@ class Joyride extends React.Component {
    * @private
    */
   calcPlacement() {
-    const { index, isRunning, standaloneData } = this.state;
-    const { steps, offsetParentSelector } = this.props;
+    const { index, standaloneData } = this.state;
+    const { steps } = this.props;
     const step = standaloneData || (steps[index] || {});
-    const target = this.getStepTargetElement(step);
 
     logger({
       type: `joyride:calcPlacement${this.getRenderStage()}`,
@@ -973,66 +1768,12 @@ class Joyride extends React.Component {
       debug: this.props.debug,
     });
 
-    /* istanbul ignore else */
-    if (!target) {
-      return;
-    }
-
-    const placement = {
-      x: -1000,
-      y: -1000
-    };
+    const { placement } = this.getPlacement() || {};
 
     /* istanbul ignore else */
-    if (step && (standaloneData || (isRunning && steps[index]))) {
-      const clientWidth = Math.max(document.body.clientWidth, 1280);
-      const clientHeight = Math.max(document.body.clientHeight, 768);
-      const isVirtualTarget = /^.tour-guide__placehold/.test(steps[index].selector);
-      const scrollTop = isVirtualTarget ? 0 : (this.getScrollTop() - 85);
-      const offsetParent = document.querySelector(sanitizeSelector(offsetParentSelector));
-      if (!target) return;
-      const rect = getOffsetBoundingClientRect(target, offsetParent);
-      const popupHeight = 200;
-      const popupWidth = 610;
-      const paddingPopup = 20;
-      const supperButtonBounding = document.querySelector('#super-button').getBoundingClientRect();
-      if (/^ls_pd2/.test(steps[index].casecClass)) {
-        const scrollLeft = isVirtualTarget ? 0 : this.getScrollLeft((clientWidth / 2) + 10);
-        placement.x = ((clientWidth - 1260) / 2) + 10 + scrollLeft;
-        placement.y = (0.4 * clientHeight) + scrollTop;
-      } else if (/^center/.test(steps[index].casecClass)) {
-        placement.x = (supperButtonBounding.right - (1240 / 2) - (popupWidth / 2));
-        placement.y = ((Math.max(clientHeight, 900) / 2) - popupHeight) + supperButtonBounding.top;
-      } else if (/^rd_popup2/.test(steps[index].casecClass)) {
-        placement.x = rect.left + rect.width + 2 * paddingPopup;
-        placement.y = rect.top - 2 * paddingPopup;
-      } else if (/^rd_popup3/.test(steps[index].casecClass)) {
-        placement.x = rect.left;
-        placement.y = rect.top - popupHeight - paddingPopup;
-      } else if (/^abs_left/.test(steps[index].casecClass)) {
-        placement.x = rect.left - ((popupWidth - rect.width) + 15);
-        placement.y = rect.top - popupHeight - paddingPopup;
-      } else if (/^abs_top/.test(steps[index].casecClass)) {
-        placement.x = rect.left - (popupWidth - rect.width - 10);
-        placement.y = rect.top + rect.height + paddingPopup;
-      } else if (/^sp_top/.test(steps[index].casecClass)) {
-        placement.x = rect.left - ((popupWidth - rect.width) / 2);
-        placement.y = rect.top + rect.height;
-      } else if (/^wt_pd3/.test(steps[index].casecClass)) {
-        placement.x = rect.left - 20;
-        placement.y = rect.top + rect.height + paddingPopup;
-      } else if (/^wt_pd4/.test(steps[index].casecClass)) {
-        placement.x = rect.left - popupWidth - 2 * paddingPopup;
-        placement.y = rect.top - paddingPopup;
-      } else if (/^abs_wt/.test(steps[index].casecClass)) {
-        placement.x = rect.left - (popupWidth - rect.width - 20);
-        placement.y = rect.top + rect.height + paddingPopup;
-      } else if (/^wt_st2/.test(steps[index].casecClass)) {
-        placement.x = rect.left - (popupWidth + 20);
-        placement.y = rect.top + ((rect.height - popupHeight) / 2);
-      }
-
+    if (placement) {
       this.setState({
+        position: placement.position || null,
         shouldRedraw: false,
         xPos: placement.x,
         yPos: placement.y
@@ -1041,7 +1782,96 @@ class Joyride extends React.Component {
   }
 
   /**
-   * Update position for overflowing elements.
+   * Get the tooltip (or beacon) placement for the current step, without applying it.
+   *
+   * @private
+   * @returns {Object|null} The placement, the measured size and the visible area, in the tooltip coordinates
+   */
+  getPlacement() {
+    const { index, isRunning, shouldRenderTooltip, standaloneData } = this.state;
+    const { offsetParentSelector, placements, steps, tooltipOffset, viewportMargin } = this.props;
+    const step = standaloneData || (steps[index] || {});
+    const targets = this.getStepTargetElements(step);
+    const target = targets[0];
+
+    if (!target || !(standaloneData || (isRunning && steps[index]))) {
+      return null;
+    }
+
+    const displayTooltip = standaloneData ? true : shouldRenderTooltip;
+    const offsetParent = this.isStepFixed(step, target)
+      ? null
+      : document.querySelector(sanitizeSelector(offsetParentSelector));
+    const targetRect = getOffsetBoundingClientRect(targets, offsetParent);
+    const preset = getPlacementPreset(step, placements);
+    const { height, width, margin } = this.getElementDimensions();
+    const size = {
+      height: height - margin.top - margin.bottom,
+      width: width - margin.left - margin.right
+    };
+    // The visible area, in the same coordinates as the target
+    const bounds = getRelativeRect({
+      top: 0,
+      left: 0,
+      width: window.innerWidth,
+      height: window.innerHeight
+    }, offsetParent);
+    let placement;
+
+    logger({
+      type: 'joyride:calcPlacement:measure',
+      msg: [displayTooltip ? 'tooltip:' : 'beacon:', size, 'viewport:', bounds],
+      debug: this.props.debug,
+    });
+
+    if (isModalStep(step)) {
+      placement = {
+        x: bounds.left + ((bounds.width - size.width) / 2),
+        y: bounds.top + ((bounds.height - size.height) / 2)
+      };
+    }
+    else if (!displayTooltip) {
+      placement = getBeaconPlacement(this.calcPosition(step), targetRect, size);
+    }
+    else if (preset) {
+      // The top of the visible area. The placement is calculated again once a scroll to the step ends,
+      // so it's also right when scrollMode skips the scroll
+      const scrollTop = getRelativeRect({
+        top: isVirtualTarget(step) ? -(window.pageYOffset || document.documentElement.scrollTop) : 0,
+        left: 0,
+        width: 0,
+        height: 0
+      }, offsetParent).top;
+
+      // Everything is in the coordinates of the tooltip: relative to the offset parent, or to the viewport for fixed steps
+      placement = preset({
+        anchor: getRelativeRect(this.getAnchorRect(step), offsetParent),
+        rect: targetRect,
+        scrollTop,
+        step,
+        tooltip: size,
+        viewport: bounds
+      });
+    }
+    else {
+      placement = fitPlacement(
+        this.calcPosition(step),
+        targetRect,
+        size,
+        bounds,
+        {
+          offset: tooltipOffset,
+          margin: viewportMargin,
+          spacing: Math.max(margin.top, margin.right, margin.bottom, margin.left)
+        }
+      );
+    }
+
+    return { bounds, placement, size };
+  }
+
+  /**
+   * Get the step's preferred position.
    *
    * @private
    * @param {Object} step
@@ -1049,7 +1879,20 @@ class Joyride extends React.Component {
    * @returns {string}
    */
   calcPosition(step) {
-    return step.position || DEFAULTS.position;
+    const position = step.position || DEFAULTS.position;
+
+    if (positions.indexOf(position) === -1) {
+      logger({
+        type: 'joyride:calcPosition',
+        msg: [`Unknown position "${position}", using "${DEFAULTS.position}".`, 'Step:', step],
+        warn: true,
+        debug: this.props.debug,
+      });
+
+      return DEFAULTS.position;
+    }
+
+    return position;
   }
 
   /**
@@ -1071,42 +1914,6 @@ class Joyride extends React.Component {
     return '';
   }
 
-  /**
-   * Prevent tooltip to render outside the window
-   *
-   * @private
-   * @param {Number} value - The axis position
-   * @param {String} axis - The Axis X or Y
-   * @param {Number} elWidth - The target element width
-   * @param {Number} elHeight - The target element height
-   * @returns {Number}
-   */
-  preventWindowOverflow(value, axis, elWidth, elHeight) {
-    const winWidth = window.innerWidth;
-    const docHeight = getDocHeight();
-    let newValue = value;
-
-    /* istanbul ignore else */
-    if (axis === 'x') {
-      if (value + elWidth >= winWidth) {
-        newValue = winWidth - elWidth - 15;
-      }
-      else if (value < 15) {
-        newValue = 15;
-      }
-    }
-    else if (axis === 'y') {
-      if (value + elHeight >= docHeight) {
-        newValue = docHeight - elHeight - 15;
-      }
-      else if (value < 15) {
-        newValue = 15;
-      }
-    }
-
-    return newValue;
-  }
-
   /**
    * Create a React Element
    *
@@ -1114,7 +1921,16 @@ class Joyride extends React.Component {
    * @returns {boolean|ReactComponent}
    */
   createComponent() {
-    const { index, shouldRedraw, shouldRenderTooltip, standaloneData, xPos, yPos } = this.state;
+    const {
+      index,
+      isScrolling,
+      position: placedPosition,
+      shouldRedraw,
+      shouldRenderTooltip,
+      standaloneData,
+      xPos,
+      yPos
+    } = this.state;
     const {
       disableOverlay,
       holePadding,
@@ -1130,11 +1946,17 @@ class Joyride extends React.Component {
     const currentStep = standaloneData || steps[index];
     const step = { ...currentStep };
 
-    const target = this.getStepTargetElement(step);
+    const targets = this.getStepTargetElements(step);
+    const target = targets[0];
     let component;
 
+    /* istanbul ignore else */
+    if (target) {
+      step.isFixed = this.isStepFixed(step, target);
+    }
+
     const allowClicksThruHole = (step && step.allowClicksThruHole) || this.props.allowClicksThruHole;
-    const shouldShowOverlay = standaloneData ? false : showOverlay;
+    const shouldShowOverlay = !standaloneData && (typeof step.showOverlay === 'boolean' ? step.showOverlay : showOverlay);
     const buttons = {
       primary: locale.close
     };
@@ -1150,12 +1972,12 @@ class Joyride extends React.Component {
       warn: !target,
     });
 
-    if (!target) {
+    if (!target || (isScrolling && !standaloneData)) {
       return false;
     }
 
     if (shouldRenderTooltip || standaloneData) {
-      const position = this.calcPosition(step);
+      const position = placedPosition || this.calcPosition(step);
 
       /* istanbul ignore else */
       if (!standaloneData) {
@@ -1197,11 +2019,11 @@ class Joyride extends React.Component {
         holePadding,
         offsetParentSelector,
         position,
-        selector: sanitizeSelector(step.selector),
+        selector: isModalStep(step) ? 'body' : this.getStepSelector(step),
         showOverlay: shouldShowOverlay,
         step,
         standalone: Boolean(standaloneData),
-        target,
+        target: targets.length > 1 ? targets : target,
         type,
         xPos,
         yPos,
@@ -1252,7 +2074,7 @@ class Joyride extends React.Component {
     }
 
     return (
-      <div className="joyride">
+      <div className="joyride" ref={c => (this.node = c)}>
         {component}
         {standaloneComponent}
       </div>
@@ -0,0 +1,149 @@
+/**
+ * Target matchers.
+ *
+ * A matcher is an object that describes an element by its role, text or test id
+ * instead of its classes, e.g. `{ role: 'button', text: 'Start Listening' }`.
+ */
+
+const matcherKeys = ['role', 'selector', 'testId', 'text'];
+
+const implicitRoles = {
+  button: 'button, input[type="button"], input[type="reset"], input[type="submit"]',
+  checkbox: 'input[type="checkbox"]',
+  heading: 'h1, h2, h3, h4, h5, h6',
+  link: 'a[href]',
+  radio: 'input[type="radio"]',
+  textbox: 'input:not([type]), input[type="email"], input[type="search"], input[type="text"], textarea'
+};
+
+/**
+ * Check if an element matches a CSS selector
+ *
+ * @private
+ * @param {Element} element
+ * @param {string}  selector
+ * @returns {boolean}
+ */
+function matchesSelector(element, selector) {
+  const fn = element.matches || element.msMatchesSelector || element.webkitMatchesSelector;
+
+  return fn.call(element, selector);
+}
+
+/**
+ * Get the text an element is identified by: its label, its content or its value
+ *
+ * @private
+ * @param {Element} element
+ * @returns {string}
+ */
+function getText(element) {
+  const text = element.getAttribute('aria-label') || element.textContent || element.value || '';
+
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find the elements with a text, starting from the text nodes instead of every element
+ *
+ * @private
+ * @param {string|RegExp} text
+ * @param {Document}      doc
+ * @returns {Array} The matching elements, in document order
+ */
+function getTextMatches(text, doc) {
+  const isMatch = el => (text instanceof RegExp ? text.test(getText(el)) : getText(el) === text);
+  // Labels and values aren't text nodes
+  const elements = Array.prototype.slice.call(doc.body.querySelectorAll('[aria-label], input, textarea'))
+    .filter(isMatch);
+  const walker = doc.createTreeWalker(doc.body, 4); // NodeFilter.SHOW_TEXT
+  let node = walker.nextNode();
+
+  while (node) {
+    let el = node.data.trim() ? node.parentElement : null;
+
+    // Walk up until the innermost match, or until the text is longer than the one we look for
+    while (el && el !== doc.documentElement) {
+      if (isMatch(el)) {
+        if (elements.indexOf(el) === -1) {
+          elements.push(el);
+        }
+        break;
+      }
+
+      if (typeof text === 'string' && getText(el).length > text.length) {
+        break;
+      }
+
+      el = el.parentElement;
+    }
+
+    node = walker.nextNode();
+  }
+
+  return elements.sort((a, b) => (a.compareDocumentPosition(b) & a.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)); //eslint-disable-line no-bitwise
+}
+
+/**
+ * Check if a value is a matcher object
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isMatcher(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || value.nodeType) {
+    return false;
+  }
+
+  const keys = Object.keys(value);
+
+  return keys.length > 0 && keys.every(d => matcherKeys.indexOf(d) > -1);
+}
+
+/**
+ * Find the elements described by a matcher
+ *
+ * @param {Object}        matcher
+ * @param {string}        [matcher.role]     - An ARIA role, explicit or implied by the tag
+ * @param {string}        [matcher.selector] - A CSS selector the element must match
+ * @param {string}        [matcher.testId]   - The element `data-testid`
+ * @param {string|RegExp} [matcher.text]     - The element label, text content or value (whitespace is collapsed)
+ * @param {Document}      [doc]              - The document to search
+ * @returns {Array} The matching elements, in document order
+ */
+export function findMatches({ role, selector, testId, text }, doc = document) {
+  const filters = [];
+  let query = selector;
+
+  if (role) {
+    filters.push(el => matchesSelector(el, `[role="${role}"]`)
+      || (!el.hasAttribute('role') && Boolean(implicitRoles[role]) && matchesSelector(el, implicitRoles[role])));
+    query = query || [`[role="${role}"]`].concat(implicitRoles[role] || []).join(', ');
+  }
+
+  if (testId) {
+    filters.push(el => el.getAttribute('data-testid') === String(testId));
+    query = selector || `[data-testid="${testId}"]`;
+  }
+
+  const isMatch = el => filters.every(fn => fn(el));
+  let elements;
+
+  if (query) {
+    elements = Array.prototype.slice.call(doc.body.querySelectorAll(query)).filter(isMatch);
+
+    if (text) {
+      elements = elements.filter(el => (text instanceof RegExp ? text.test(getText(el)) : getText(el) === text));
+    }
+  }
+  else {
+    elements = getTextMatches(text, doc);
+  }
+
+  if (!text) {
+    return elements;
+  }
+
+  // The ancestors of an element share its text, keep the innermost ones
+  return elements.filter(el => !elements.some(d => d !== el && el.contains(d)));
+}
@@ -0,0 +1,252 @@
+import builtInPresets from './presets';
+
+const presets = { ...builtInPresets };
+
+/**
+ * The positions a tooltip can take around its target
+ *
+ * @type {Array}
+ */
+export const positions = [
+  'top', 'top-left', 'top-right',
+  'bottom', 'bottom-left', 'bottom-right',
+  'right', 'left',
+];
+
+/**
+ * Split a position into its base side and its alignment
+ *
+ * @param {string} position - One of the `positions`
+ * @returns {{base: string, alignment: string}}
+ */
+export function parsePosition(position) {
+  const [base, alignment = 'center'] = position.split('-');
+
+  return { base, alignment };
+}
+
+/**
+ * Calculate the coordinates of a box placed around the target
+ *
+ * @param {string} position - One of the `positions`
+ * @param {Object} rect     - The target rect (top, left, width, height)
+ * @param {Object} size     - The box dimensions (width, height)
+ * @param {number} [offset] - The gap between the target and the box
+ * @returns {{x: number, y: number}}
+ */
+export function getPlacement(position, rect, size, offset = 0) {
+  const { base, alignment } = parsePosition(position);
+  const placement = {
+    x: rect.left + ((rect.width - size.width) / 2),
+    y: rect.top + ((rect.height - size.height) / 2)
+  };
+
+  if (base === 'top') {
+    placement.y = rect.top - size.height - offset;
+  }
+  else if (base === 'bottom') {
+    placement.y = rect.top + rect.height + offset;
+  }
+  else if (base === 'left') {
+    placement.x = rect.left - size.width - offset;
+  }
+  else if (base === 'right') {
+    placement.x = rect.left + rect.width + offset;
+  }
+
+  /* istanbul ignore else */
+  if (['top', 'bottom'].indexOf(base) > -1) {
+    if (alignment === 'left') {
+      placement.x = rect.left;
+    }
+    else if (alignment === 'right') {
+      placement.x = (rect.left + rect.width) - size.width;
+    }
+  }
+
+  return placement;
+}
+
+/**
+ * Register a placement preset
+ *
+ * @param {string}   name - The preset name, matched against `step.placement` or the start of `step.casecClass`
+ * @param {Function} fn   - Receives the placement context and returns the tooltip coordinates
+ */
+export function registerPlacement(name, fn) {
+  if (typeof fn !== 'function') {
+    console.error(`Joyride.registerPlacement: the "${name}" placement must be a function.`); //eslint-disable-line no-console
+    return;
+  }
+
+  presets[name] = fn;
+}
+
+/**
+ * Find the placement preset for a step.
+ * A `casecClass` matches the preset with the same name, or else the longest name it starts with.
+ *
+ * @param {Object} step         - A step object
+ * @param {Object} [placements] - Presets that take precedence over the registered ones
+ * @returns {Function|undefined}
+ */
+export function getPlacementPreset(step, placements = {}) {
+  const sources = [placements, presets];
+
+  if (step.placement) {
+    const source = sources.find(d => typeof d[step.placement] === 'function');
+
+    return source && source[step.placement];
+  }
+
+  /* istanbul ignore else */
+  if (typeof step.casecClass === 'string') {
+    const name = Object.keys({ ...presets, ...placements })
+      .filter(d => step.casecClass.indexOf(d) === 0)
+      .sort((a, b) => b.length - a.length)[0];
+    const source = name && sources.find(d => typeof d[name] === 'function');
+
+    return source && source[name];
+  }
+
+  return undefined;
+}
+
+const opposites = {
+  top: 'bottom',
+  bottom: 'top',
+  left: 'right',
+  right: 'left'
+};
+
+/**
+ * Get the positions to try, in order, when the preferred one overflows:
+ * the preferred side, the opposite side and then the adjacent sides
+ *
+ * @param {string} position - One of the `positions`
+ * @returns {Array}
+ */
+export function getFallbackPositions(position) {
+  const { base, alignment } = parsePosition(position);
+  const sides = ['top', 'bottom'].indexOf(base) > -1 ? ['right', 'left'] : ['top', 'bottom'];
+
+  return [position, opposites[base]]
+    .concat(sides)
+    .map((d, i) => (i === 1 && alignment !== 'center' ? `${d}-${alignment}` : d));
+}
+
+/**
+ * Clamp a value so a box of `size` stays between `min` and `max`
+ *
+ * @private
+ * @param {number} value
+ * @param {number} size
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, size, min, max) {
+  if (value + size > max) {
+    return Math.max(max - size, min);
+  }
+
+  return Math.max(value, min);
+}
+
+/**
+ * Check if a placement fits inside the bounds along the main axis of its position
+ *
+ * @private
+ * @param {string} position
+ * @param {Object} placement
+ * @param {Object} size
+ * @param {Object} bounds
+ * @param {number} margin
+ * @returns {boolean}
+ */
+function fitsMainAxis(position, placement, size, bounds, margin) {
+  const { base } = parsePosition(position);
+
+  if (['top', 'bottom'].indexOf(base) > -1) {
+    return placement.y >= bounds.top + margin
+      && placement.y + size.height <= (bounds.top + bounds.height) - margin;
+  }
+
+  return placement.x >= bounds.left + margin
+    && placement.x + size.width <= (bounds.left + bounds.width) - margin;
+}
+
+/**
+ * Place a box around the target, flipping it to another side and shifting it
+ * along the axis when it would overflow the bounds
+ *
+ * @param {string} position          - The preferred position
+ * @param {Object} rect              - The target rect (top, left, width, height)
+ * @param {Object} size              - The box dimensions (width, height)
+ * @param {Object} bounds            - The visible area (top, left, width, height)
+ * @param {Object} [options]
+ * @param {number} [options.offset]  - The gap between the target and the box
+ * @param {number} [options.margin]  - The minimum distance to the bounds edges
+ * @param {number} [options.spacing] - The CSS margin the box gets on the side facing the target (the arrow)
+ * @returns {{position: string, x: number, y: number}}
+ */
+export function fitPlacement(position, rect, size, bounds, { offset = 0, margin = 0, spacing = 0 } = {}) {
+  const getSize = (d) => {
+    const { base } = parsePosition(d);
+
+    return ['top', 'bottom'].indexOf(base) > -1
+      ? { width: size.width, height: size.height + spacing }
+      : { width: size.width + spacing, height: size.height };
+  };
+  const finalPosition = getFallbackPositions(position)
+    .find(d => fitsMainAxis(d, getPlacement(d, rect, getSize(d), offset), getSize(d), bounds, margin)) || position;
+  const finalSize = getSize(finalPosition);
+  const placement = getPlacement(finalPosition, rect, finalSize, offset);
+
+  return {
+    position: finalPosition,
+    x: clamp(placement.x, finalSize.width, bounds.left + margin, (bounds.left + bounds.width) - margin),
+    y: clamp(placement.y, finalSize.height, bounds.top + margin, (bounds.top + bounds.height) - margin)
+  };
+}
+
+/**
+ * Calculate the coordinates of a beacon sitting on the target edge that faces `position`
+ *
+ * @param {string} position - One of the `positions`
+ * @param {Object} rect     - The target rect (top, left, width, height)
+ * @param {Object} size     - The beacon dimensions (width, height)
+ * @returns {{x: number, y: number}}
+ */
+export function getBeaconPlacement(position, rect, size) {
+  const { base, alignment } = parsePosition(position);
+  const point = {
+    x: rect.left + (rect.width / 2),
+    y: rect.top + (rect.height / 2)
+  };
+
+  if (base === 'top') {
+    point.y = rect.top;
+  }
+  else if (base === 'bottom') {
+    point.y = rect.top + rect.height;
+  }
+  else if (base === 'left') {
+    point.x = rect.left;
+  }
+  else if (base === 'right') {
+    point.x = rect.left + rect.width;
+  }
+
+  if (alignment === 'left') {
+    point.x = rect.left;
+  }
+  else if (alignment === 'right') {
+    point.x = rect.left + rect.width;
+  }
+
+  return {
+    x: point.x - (size.width / 2),
+    y: point.y - (size.height / 2)
+  };
+}
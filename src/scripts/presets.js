@@ -0,0 +1,80 @@
+/**
+ * Built-in placement presets.
+ *
+ * A preset receives the placement context (target rect, tooltip size, viewport, anchor rect...)
+ * and returns the tooltip coordinates, with the position of the tooltip relative to the target
+ * so the arrow points at it. Both are in the tooltip coordinates: relative to the offset parent,
+ * or to the viewport for fixed steps.
+ */
+
+const POPUP_PADDING = 20;
+
+/**
+ * Check if the step targets one of the placeholder elements used to center a popup
+ *
+ * @param {Object} step - A step object
+ * @returns {boolean}
+ */
+export function isVirtualTarget(step) {
+  return typeof step.selector === 'string' && /^.tour-guide__placehold/.test(step.selector);
+}
+
+export default {
+  ls_pd2: ({ rect, scrollTop, step, viewport }) => {
+    const scrollLeft = isVirtualTarget(step) ? viewport.left : rect.left - ((viewport.width / 2) + 10);
+
+    return {
+      x: ((viewport.width - 1260) / 2) + 10 + scrollLeft,
+      y: (0.4 * viewport.height) + scrollTop
+    };
+  },
+  center: ({ anchor, tooltip, viewport }) => ({
+    x: anchor.right - (1240 / 2) - (tooltip.width / 2),
+    y: ((Math.max(viewport.height, 900) / 2) - tooltip.height) + anchor.top
+  }),
+  rd_popup2: ({ rect }) => ({
+    x: rect.left + rect.width + (2 * POPUP_PADDING),
+    y: rect.top - (2 * POPUP_PADDING),
+    position: 'right'
+  }),
+  rd_popup3: ({ rect, tooltip }) => ({
+    x: rect.left,
+    y: rect.top - tooltip.height - POPUP_PADDING,
+    position: 'top'
+  }),
+  abs_left: ({ rect, tooltip }) => ({
+    x: rect.left - ((tooltip.width - rect.width) + 15),
+    y: rect.top - tooltip.height - POPUP_PADDING,
+    position: 'top'
+  }),
+  abs_top: ({ rect, tooltip }) => ({
+    x: rect.left - (tooltip.width - rect.width - 10),
+    y: rect.top + rect.height + POPUP_PADDING,
+    position: 'bottom'
+  }),
+  sp_top: ({ rect, tooltip }) => ({
+    x: rect.left - ((tooltip.width - rect.width) / 2),
+    y: rect.top + rect.height,
+    position: 'bottom'
+  }),
+  wt_pd3: ({ rect }) => ({
+    x: rect.left - 20,
+    y: rect.top + rect.height + POPUP_PADDING,
+    position: 'bottom'
+  }),
+  wt_pd4: ({ rect, tooltip }) => ({
+    x: rect.left - tooltip.width - (2 * POPUP_PADDING),
+    y: rect.top - POPUP_PADDING,
+    position: 'left'
+  }),
+  abs_wt: ({ rect, tooltip }) => ({
+    x: rect.left - (tooltip.width - rect.width - 20),
+    y: rect.top + rect.height + POPUP_PADDING,
+    position: 'bottom'
+  }),
+  wt_st2: ({ rect, tooltip }) => ({
+    x: rect.left - (tooltip.width + 20),
+    y: rect.top + ((rect.height - tooltip.height) / 2),
+    position: 'left'
+  })
+};
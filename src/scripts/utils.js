@@ -1,4 +1,5 @@
 /*eslint-disable no-nested-ternary */
+import { findMatches, isMatcher } from './matchers';
 
 /**
  * Convert hex to RGB
@@ -71,6 +72,262 @@ export function getRootEl() {
   return scrollingElement;
 }
 
+/**
+ * Get the scale applied to an element by its own and its ancestors' CSS transforms or zoom
+ *
+ * @param {Element} [element]
+ * @returns {{x: number, y: number}}
+ */
+export function getScale(element) {
+  if (!element) {
+    return { x: 1, y: 1 };
+  }
+
+  const { width, height } = element.getBoundingClientRect();
+
+  return {
+    x: element.offsetWidth && width ? width / element.offsetWidth : 1,
+    y: element.offsetHeight && height ? height / element.offsetHeight : 1
+  };
+}
+
+/**
+ * Create a DOMRect-like object
+ *
+ * @private
+ * @param {Object} rect - top, left, width and height
+ * @returns {Object}
+ */
+function createRect({ top, left, width, height }) {
+  return {
+    top,
+    right: left + width,
+    bottom: top + height,
+    left,
+    x: left,
+    y: top,
+    width,
+    height
+  };
+}
+
+/**
+ * Get the iframe an element is rendered in
+ *
+ * @param {Element} element
+ * @returns {Element|null} Null if the element is in the top document
+ */
+export function getFrameElement(element) {
+  const doc = element.ownerDocument;
+
+  if (!doc || doc === document || !doc.defaultView) {
+    return null;
+  }
+
+  return doc.defaultView.frameElement || null;
+}
+
+/**
+ * Get the content box of an iframe, in viewport coordinates of the top document
+ *
+ * @private
+ * @param {Element} frame
+ * @returns {Object}
+ */
+function getFrameContentRect(frame) {
+  const rect = frame.getBoundingClientRect();
+  const { paddingTop, paddingLeft } = window.getComputedStyle(frame);
+  const frameOffset = getFrameElement(frame) ? getFrameContentRect(getFrameElement(frame)) : { top: 0, left: 0 };
+  const top = rect.top + frameOffset.top + frame.clientTop + parseFloat(paddingTop || 0);
+  const left = rect.left + frameOffset.left + frame.clientLeft + parseFloat(paddingLeft || 0);
+
+  return createRect({
+    top,
+    left,
+    width: frame.contentWindow ? frame.contentWindow.innerWidth : frame.clientWidth,
+    height: frame.contentWindow ? frame.contentWindow.innerHeight : frame.clientHeight
+  });
+}
+
+/**
+ * Get the viewport rect of an element, or the smallest rect containing all the elements.
+ * The rects of elements inside iframes are translated to the top document viewport.
+ *
+ * @param {Element|Array} elements
+ * @returns {Object} A DOMRect-like object
+ */
+export function getBoundingRect(elements) {
+  const rects = [].concat(elements).map((d) => {
+    const rect = d.getBoundingClientRect();
+    const frame = getFrameElement(d);
+
+    if (!frame) {
+      return rect;
+    }
+
+    const { top, left } = getFrameContentRect(frame);
+
+    return createRect({ top: rect.top + top, left: rect.left + left, width: rect.width, height: rect.height });
+  });
+  const top = Math.min(...rects.map(d => d.top));
+  const left = Math.min(...rects.map(d => d.left));
+
+  return createRect({
+    top,
+    left,
+    width: Math.max(...rects.map(d => d.right)) - left,
+    height: Math.max(...rects.map(d => d.bottom)) - top
+  });
+}
+
+/**
+ * Get the parent element of an element, crossing shadow roots boundaries
+ *
+ * @private
+ * @param {Element} element
+ * @returns {Element|null}
+ */
+function getParentElement(element) {
+  const { parentElement, parentNode } = element;
+
+  return parentElement || (parentNode && parentNode.host) || null;
+}
+
+/**
+ * Check if an element or one of its ancestors has a fixed or sticky position.
+ * Inside an iframe, the element only stays in place if the iframe does.
+ *
+ * @param {Element} element
+ * @param {boolean} [withSticky] - Set to false to ignore sticky positions, e.g. sticky elements below the fold still move with the page
+ * @returns {boolean}
+ */
+export function hasFixedPosition(element, withSticky = true) {
+  const doc = element.ownerDocument || document;
+  const frame = getFrameElement(element);
+  let el = element;
+
+  while (el && el.nodeType === 1 && el !== doc.body && el !== doc.documentElement) {
+    const { position } = doc.defaultView.getComputedStyle(el);
+
+    if (position === 'fixed' || (withSticky && position === 'sticky')) {
+      return !frame || hasFixedPosition(frame, withSticky);
+    }
+
+    el = getParentElement(el);
+  }
+
+  return Boolean(frame) && hasFixedPosition(frame, withSticky);
+}
+
+/**
+ * Get the scrollable ancestors of an element, from the closest to the farthest.
+ * Inside an iframe, they include the iframe document and the iframe's own scrollable ancestors.
+ * The top document root isn't included.
+ *
+ * @param {Element} element
+ * @returns {Array}
+ */
+export function getScrollParents(element) {
+  const doc = element.ownerDocument || document;
+  const frame = getFrameElement(element);
+  const parents = [];
+  let parent = getParentElement(element);
+
+  while (parent && parent !== doc.body && parent !== doc.documentElement) {
+    const { overflow, overflowX, overflowY } = doc.defaultView.getComputedStyle(parent);
+
+    if (/(auto|scroll|overlay)/.test(`${overflow}${overflowX}${overflowY}`)) {
+      parents.push(parent);
+    }
+
+    parent = getParentElement(parent);
+  }
+
+  if (frame) {
+    return parents.concat(doc.scrollingElement || doc.documentElement, getScrollParents(frame));
+  }
+
+  return parents;
+}
+
+/**
+ * Check if a scroll container can still scroll in a direction
+ *
+ * @param {Element} element
+ * @param {number}  deltaX - The horizontal scroll amount (negative to the left)
+ * @param {number}  deltaY - The vertical scroll amount (negative upwards)
+ * @returns {boolean}
+ */
+export function canScroll(element, deltaX, deltaY) {
+  const { overflow, overflowX, overflowY } = window.getComputedStyle(element);
+
+  if (!/(auto|scroll|overlay)/.test(`${overflow}${overflowX}${overflowY}`)) {
+    return false;
+  }
+
+  const { clientHeight, clientWidth, scrollHeight, scrollLeft, scrollTop, scrollWidth } = element;
+
+  return (deltaY < 0 && scrollTop > 0)
+    || (deltaY > 0 && scrollTop + clientHeight < scrollHeight)
+    || (deltaX < 0 && scrollLeft > 0)
+    || (deltaX > 0 && scrollLeft + clientWidth < scrollWidth);
+}
+
+/**
+ * Get the visible area of a scrollable container, in viewport coordinates of the top document.
+ * For an iframe document, that's the iframe content box.
+ *
+ * @param {Element} container - An element returned by `getScrollParents`
+ * @returns {Object}
+ */
+export function getVisibleRect(container) {
+  const doc = container.ownerDocument;
+
+  if (container === doc.documentElement || container === doc.scrollingElement) {
+    const frame = getFrameElement(container);
+
+    return frame
+      ? getFrameContentRect(frame)
+      : createRect({ top: 0, left: 0, width: window.innerWidth, height: window.innerHeight });
+  }
+
+  const { top, left } = getBoundingRect(container);
+
+  return createRect({
+    top: top + container.clientTop,
+    left: left + container.clientLeft,
+    width: container.clientWidth,
+    height: container.clientHeight
+  });
+}
+
+/**
+ * Check if a rect is inside the visible area of the window and of the scrollable containers
+ *
+ * @param {Object}  rect                - A viewport rect (top, right, bottom, left), see `getBoundingRect`
+ * @param {Object}  [options]
+ * @param {Array}   [options.axes]      - The axes to check: top (vertical) and/or left (horizontal)
+ * @param {Array}   [options.containers] - The scrollable containers the rect is in
+ * @param {number}  [options.offsetTop] - The window space hidden at the top (e.g. sticky headers)
+ * @returns {boolean}
+ */
+export function isRectVisible(rect, { axes = ['top', 'left'], containers = [], offsetTop = 0 } = {}) {
+  const areas = containers.map(getVisibleRect);
+
+  areas.push({
+    top: offsetTop,
+    right: window.innerWidth,
+    bottom: window.innerHeight,
+    left: 0
+  });
+
+  return areas.every(area => axes.every(axis => (
+    axis === 'top'
+      ? rect.top >= area.top && rect.bottom <= area.bottom
+      : rect.left >= area.left && rect.right <= area.right
+  )));
+}
+
 /**
  * Log method calls if debug is enabled
  *
@@ -97,13 +354,81 @@ export function logger({ type = 'joyride', msg, warn = false, debug = false }) {
   }
 }
 
+/**
+ * Check if a step has no target and should be displayed as a modal
+ *
+ * @param {Object} step - A step object
+ * @returns {boolean}
+ */
+export function isModalStep(step) {
+  return Boolean(step) && (step.selector === null || step.target === 'body');
+}
+
+/**
+ * Find the elements matching a selector that can pierce open shadow roots:
+ * `my-player >>> .play-btn` looks for `.play-btn` in the shadow root of the `my-player` elements.
+ *
+ * @param {string}          selector
+ * @param {Document|Element} [root] - Where to start the search
+ * @returns {Array}
+ */
+export function querySelectorAllDeep(selector, root = document) {
+  return selector.split('>>>')
+    .map(d => d.trim())
+    .reduce((nodes, part, i) => nodes
+      .map(d => (i === 0 ? d : d.shadowRoot))
+      .filter(Boolean)
+      .reduce((acc, d) => acc.concat(Array.prototype.slice.call(d.querySelectorAll(part))), []), [root]);
+}
+
+/**
+ * Get the elements a step target refers to
+ *
+ * @param {string|Element|Object|Function|Array} target - A selector (see `querySelectorAllDeep`), a DOM element, a React ref object, a matcher
+ *                                                       (see `findMatches`), a function returning one of them, or a list of them
+ * @param {Document} [doc] - The document selectors and matchers are resolved in
+ * @returns {Array} The elements, without duplicates
+ */
+export function getTargetElements(target, doc = document) {
+  const value = typeof target === 'function' ? target() : target;
+  let elements = [];
+
+  if (!value) {
+    return elements;
+  }
+
+  if (typeof value === 'string') {
+    elements = querySelectorAllDeep(value, doc);
+  }
+  else if (value.nodeType === 1) {
+    elements = [value];
+  }
+  else if (isMatcher(value)) {
+    elements = findMatches(value, doc);
+  }
+  else if (Object.prototype.hasOwnProperty.call(value, 'current')) {
+    elements = getTargetElements(value.current, doc);
+  }
+  else if (typeof value.length === 'number') {
+    elements = Array.prototype.slice.call(value)
+      .reduce((acc, d) => acc.concat(getTargetElements(d, doc)), []);
+  }
+
+  return elements.filter((d, i) => elements.indexOf(d) === i);
+}
+
 /**
  * Check for deprecated selector styles, return stringified, safer versions
+ * A shadow DOM path (an array of selectors) is joined with `>>>` (see `querySelectorAllDeep`).
  *
- * @param   {string|Object} selector - The selector provided in a step object
+ * @param   {string|Object|Array} selector - The selector provided in a step object
  * @returns {string}                   A cleaned-up selector string
  */
 export function sanitizeSelector(selector) {
+  if (Array.isArray(selector)) {
+    return selector.join(' >>> ');
+  }
+
   if (selector.dataset && selector.dataset.reactid) {
     console.warn('Deprecation warning: React 15.0 removed reactid. Update your code.'); //eslint-disable-line no-console
     return `[data-reactid="${selector.dataset.reactid}"]`;
@@ -120,35 +445,74 @@ export function sanitizeSelector(selector) {
 }
 
 /**
- * Find the bounding client rect
+ * Find the element absolutely positioned descendants of `element` are placed against:
+ * the closest positioned or transformed ancestor (or itself).
  *
  * @private
- * @param {Object} element - The target element
- * @param {string} [offsetParent] - The parent element to calculate offsets from
- * @returns {DOMRect}
+ * @param {Element} element
+ * @returns {Element|null} Null if they are placed against the document
  */
-export function getOffsetBoundingClientRect(element, offsetParent) {
-  const elementRect = element.getBoundingClientRect();
+function getContainingBlock(element) {
+  let el = element;
+
+  while (el && el.nodeType === 1 && el !== document.documentElement) {
+    const { position, transform } = window.getComputedStyle(el);
+
+    if (position !== 'static' || (transform && transform !== 'none')) {
+      return el;
+    }
+
+    el = el.parentElement;
+  }
+
+  return null;
+}
 
+/**
+ * Convert a viewport rect to the coordinates used by absolutely positioned descendants of the offset parent.
+ * Takes the parent position, borders, scroll and scale (CSS transforms or zoom) into account.
+ *
+ * @param {Object}  rect           - A viewport rect (top, left, width, height)
+ * @param {Element} [offsetParent] - The element the coordinates are relative to. Without it, the rect stays in viewport coordinates
+ * @returns {Object} A DOMRect-like object
+ */
+export function getRelativeRect(rect, offsetParent) {
   if (!offsetParent) {
-    return elementRect;
+    return createRect(rect);
   }
 
-  const offsetParentRect = offsetParent.getBoundingClientRect();
+  const container = getContainingBlock(offsetParent);
 
-  const offsetTop = offsetParentRect.top > 0 ? elementRect.top - offsetParentRect.top : elementRect.top;
-  const offsetLeft = offsetParentRect.left > 0 ? elementRect.left - offsetParentRect.left : elementRect.left;
-  const offsetRight = offsetParentRect.right > 0 ? offsetParentRect.right - elementRect.right : elementRect.right;
-  const offsetBottom = offsetParentRect.bottom > 0 ? offsetParentRect.bottom - elementRect.bottom : elementRect.bottom;
+  if (!container) {
+    return createRect({
+      top: rect.top + (window.pageYOffset || document.documentElement.scrollTop),
+      left: rect.left + (window.pageXOffset || document.documentElement.scrollLeft),
+      width: rect.width,
+      height: rect.height
+    });
+  }
 
-  return {
-    top: offsetTop,
-    left: offsetLeft,
-    right: offsetRight,
-    bottom: offsetBottom,
-    x: offsetLeft,
-    y: offsetTop,
-    width: elementRect.width,
-    height: elementRect.height
-  };
+  const containerRect = container.getBoundingClientRect();
+  const scale = getScale(container);
+  // The body rect already moves with the document scroll
+  const isScrolled = container !== document.body;
+
+  return createRect({
+    top: (((rect.top - containerRect.top) / scale.y) - container.clientTop) + (isScrolled ? container.scrollTop : 0),
+    left: (((rect.left - containerRect.left) / scale.x) - container.clientLeft) + (isScrolled ? container.scrollLeft : 0),
+    width: rect.width / scale.x,
+    height: rect.height / scale.y
+  });
+}
+
+/**
+ * Find the bounding client rect
+ *
+ * @private
+ * @param {Element|Array} element - The target element, or the elements of a multi-element step
+ * @param {Element} [offsetParent] - The parent element to calculate offsets from (see `getRelativeRect`)
+ * @returns {Object} A DOMRect-like object
+ */
+export function getOffsetBoundingClientRect(element, offsetParent) {
+  return getRelativeRect(getBoundingRect(element), offsetParent);
 }